@@ -0,0 +1,73 @@
+// Bundles client.js and the component styles into static/ with lasso, then
+// writes the resulting <script>/<link> tags into build/index.html.json
+// (which page.marko reads) and into a copy of the index.html template at
+// static/index.html. `--production` minifies.
+//
+//   npm run build
+//   npm run build:production
+
+const fs = require('fs');
+const path = require('path');
+const lasso = require('lasso');
+
+const CONFIG_FILE = path.join(__dirname, 'lasso-config.json');
+const SLOTS_FILE = path.join(__dirname, 'build', 'index.html.json');
+const TEMPLATE_FILE = path.join(__dirname, 'index.html');
+
+const production = process.argv.indexOf('--production') !== -1;
+
+const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+config.minify = production;
+lasso.configure(config, __dirname, CONFIG_FILE);
+
+const OUTPUT_DIR = path.join(__dirname, config.outputDir);
+
+// Fingerprinted names change with every edit, so old bundles would pile up.
+function clean(dir) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+  fs.readdirSync(dir).forEach(name => fs.unlinkSync(path.join(dir, name)));
+}
+
+// Replaces what lies between `<!-- <lasso-NAME> -->` and its closing marker.
+function inject(html, name, content) {
+  const pattern = new RegExp('(<!-- <lasso-' + name + '> -->)[\\s\\S]*?(<!-- </lasso-' + name + '> -->)');
+  if (!pattern.test(html)) {
+    throw new Error('index.html has no <lasso-' + name + '> slot');
+  }
+  return html.replace(pattern, (match, open, close) => open + content + close);
+}
+
+// The static page sits next to the bundles and links them relatively, so
+// it also works when opened straight from disk.
+function relative(html) {
+  return html.split(config.urlPrefix + '/').join('./');
+}
+
+clean(OUTPUT_DIR);
+
+lasso.lassoPage({
+  pageName: 'index',
+  from: __dirname,
+  dependencies: ['require-run: ./client']
+}).then(result => {
+  const slots = {
+    body: result.getBodyHtml(),
+    head: result.getHeadHtml()
+  };
+  if (!fs.existsSync(path.dirname(SLOTS_FILE))) {
+    fs.mkdirSync(path.dirname(SLOTS_FILE));
+  }
+  fs.writeFileSync(SLOTS_FILE, JSON.stringify(slots, null, 4));
+
+  let html = fs.readFileSync(TEMPLATE_FILE, 'utf8');
+  html = inject(html, 'head', relative(slots.head));
+  html = inject(html, 'body', relative(slots.body));
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'index.html'), html);
+
+  result.getOutputFiles().forEach(file => console.log(path.relative(__dirname, file)));
+}).catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,3 +1,8 @@
 rgbComponent = require('./app.marko');
 
-rgbComponent.renderSync({}).appendTo(document.body);
+// Pages from server.js already contain the rendered app, which Marko's
+// component boot code picks up; only the static index.html needs it
+// rendered here.
+if (!document.body.hasAttribute('data-server-rendered')) {
+  rgbComponent.renderSync({}).appendTo(document.body);
+}
@@ -0,0 +1,65 @@
+// APCA lightness contrast (Lc), the contrast method drafted for WCAG 3.
+// Implements APCA-W3 0.0.98G-4g, see https://github.com/Myndex/apca-w3
+
+const { flatten } = require('./convert');
+
+const TRC = 2.4;
+const COEFFICIENTS = [0.2126729, 0.7151522, 0.0721750];
+const NORM_BG = 0.56;
+const NORM_TXT = 0.57;
+const REV_TXT = 0.62;
+const REV_BG = 0.65;
+const BLACK_THRESHOLD = 0.022;
+const BLACK_CLAMP = 1.414;
+const SCALE = 1.14;
+const OFFSET = 0.027;
+const DELTA_Y_MIN = 0.0005;
+const LO_CLIP = 0.1;
+
+// Screen luminance estimate, with a soft clamp near black. Translucent
+// colors are measured as they appear over white.
+function screenLuminance(rgb) {
+  const y = flatten(rgb).reduce((sum, c, i) => sum + Math.pow(c / 255, TRC) * COEFFICIENTS[i], 0);
+  return y < BLACK_THRESHOLD ? y + Math.pow(BLACK_THRESHOLD - y, BLACK_CLAMP) : y;
+}
+
+// Lc of `text` over `background`. Unlike WCAG 2 ratios the order
+// matters: dark text on light backgrounds gives a positive Lc, light text
+// on dark a negative one. Values run roughly from -108 to 106.
+function lc(text, background) {
+  const yText = screenLuminance(text);
+  const yBg = screenLuminance(background);
+  if (Math.abs(yBg - yText) < DELTA_Y_MIN) {
+    return 0;
+  }
+  let sapc;
+  if (yBg > yText) {
+    sapc = (Math.pow(yBg, NORM_BG) - Math.pow(yText, NORM_TXT)) * SCALE;
+    return sapc < LO_CLIP ? 0 : (sapc - OFFSET) * 100;
+  }
+  sapc = (Math.pow(yBg, REV_BG) - Math.pow(yText, REV_TXT)) * SCALE;
+  return sapc > -LO_CLIP ? 0 : (sapc + OFFSET) * 100;
+}
+
+// Minimum Lc for each use, after the APCA bronze simple mode guidance.
+const GUIDANCE = [
+  {lc: 90, use: 'Preferred for body text', minimum: '14px at weight 400, or 18px at 300'},
+  {lc: 75, use: 'Body text', minimum: '18px at weight 400, 16px at 500 or 14px at 700'},
+  {lc: 60, use: 'Content text', minimum: '24px at weight 400 or 16px at 700'},
+  {lc: 45, use: 'Headlines', minimum: '36px at weight 400 or 24px at 700'},
+  {lc: 30, use: 'Spot and placeholder text', minimum: 'any readable size'},
+  {lc: 15, use: 'Non-text elements only', minimum: 'no text'}
+];
+
+// The most demanding use an Lc value satisfies, or null if it is too low
+// for anything but decoration.
+function guidance(value) {
+  const abs = Math.abs(value);
+  return GUIDANCE.find(level => abs >= level.lc) || null;
+}
+
+module.exports = {
+  GUIDANCE,
+  lc,
+  guidance
+};
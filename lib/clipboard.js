@@ -0,0 +1,34 @@
+// Copies text to the clipboard. Resolves once the text is copied and
+// rejects if the browser refuses.
+
+function copyWithTextarea(text) {
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch (err) {
+    copied = false;
+  }
+  document.body.removeChild(textarea);
+  return copied ? Promise.resolve() : Promise.reject(new Error('Copy command was refused'));
+}
+
+// The async Clipboard API needs a secure context, so fall back to a
+// hidden textarea when it is missing or denied.
+function copyText(text) {
+  const clipboard = typeof navigator !== 'undefined' && navigator.clipboard;
+  if (clipboard && clipboard.writeText) {
+    return clipboard.writeText(text).catch(() => copyWithTextarea(text));
+  }
+  return copyWithTextarea(text);
+}
+
+module.exports = {
+  copyText
+};
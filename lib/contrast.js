@@ -0,0 +1,55 @@
+// WCAG 2.x contrast, see https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio
+
+const { toLinear, flatten } = require('./convert');
+
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+
+// Minimum ratios for each success criterion. "Large" text is at least
+// 18pt, or 14pt bold.
+const THRESHOLDS = {
+  aaNormal: 4.5,
+  aaLarge: 3,
+  aaaNormal: 7,
+  aaaLarge: 4.5
+};
+
+// Translucent colors are measured as they appear over white.
+function luminance(rgb) {
+  const [r, g, b] = flatten(rgb).map(toLinear);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// Ranges from 1 (no contrast) to 21 (black on white); the order of the
+// two colors does not matter.
+function contrastRatio(a, b) {
+  const la = luminance(a);
+  const lb = luminance(b);
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
+
+// Which criteria a ratio passes, keyed like THRESHOLDS.
+function levels(ratio) {
+  const result = {};
+  Object.keys(THRESHOLDS).forEach(key => {
+    result[key] = ratio >= THRESHOLDS[key];
+  });
+  return result;
+}
+
+// The candidate that contrasts most with `background`.
+function bestText(background, candidates) {
+  candidates = candidates || [WHITE, BLACK];
+  return candidates.reduce((best, color) =>
+    contrastRatio(background, color) > contrastRatio(background, best) ? color : best);
+}
+
+module.exports = {
+  WHITE,
+  BLACK,
+  THRESHOLDS,
+  luminance,
+  contrastRatio,
+  levels,
+  bestText
+};
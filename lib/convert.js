@@ -0,0 +1,245 @@
+// Conversions between an [r, g, b] channel array (0-255) and the other
+// color notations used by the readout and the generators. Translucent
+// colors carry their alpha (0-1) as a fourth element; opaque colors have
+// only three.
+
+// True for a valid color array: three integer channels in 0-255 and an
+// optional alpha in 0-1.
+function isColor(value) {
+  return Array.isArray(value) && (value.length === 3 || value.length === 4) &&
+    value.every((c, i) => i < 3 ?
+      Number.isInteger(c) && c >= 0 && c <= 255 :
+      typeof c === 'number' && c >= 0 && c <= 1);
+}
+
+function alphaOf(color) {
+  return color.length > 3 ? color[3] : 1;
+}
+
+// Gives `rgb` the alpha `alpha`, dropping it again when opaque.
+function withAlpha(rgb, alpha) {
+  rgb = rgb.slice(0, 3);
+  return alpha == null || alpha >= 1 ? rgb : rgb.concat(Math.max(0, Math.round(alpha * 1000) / 1000));
+}
+
+// The opaque color seen when `color` is drawn over `backdrop` (white by
+// default).
+function flatten(color, backdrop) {
+  const alpha = alphaOf(color);
+  backdrop = backdrop || [255, 255, 255];
+  return [0, 1, 2].map(i => Math.round(color[i] * alpha + backdrop[i] * (1 - alpha)));
+}
+
+function hexByte(c) {
+  return ('0' + c.toString(16)).slice(-2);
+}
+
+// 6 digit hex, or 8 digit hex for translucent colors.
+function toHex(color) {
+  const hex = '#' + color.slice(0, 3).map(hexByte).join('');
+  return color.length > 3 ? hex + hexByte(Math.round(color[3] * 255)) : hex;
+}
+
+// The color as a CSS value, rgb() or rgba().
+function toCss(color) {
+  return color.length > 3 ?
+    'rgba(' + color.join(',') + ')' :
+    'rgb(' + color.join(',') + ')';
+}
+
+function toHsl(rgb) {
+  const [r, g, b] = rgb.map(c => c / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const d = max - min;
+  const l = (max + min) / 2;
+  const s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+  return [hue(r, g, b, max, d), s * 100, l * 100];
+}
+
+function toHsv(rgb) {
+  const [r, g, b] = rgb.map(c => c / 255);
+  const max = Math.max(r, g, b);
+  const d = max - Math.min(r, g, b);
+  const s = max === 0 ? 0 : d / max;
+  return [hue(r, g, b, max, d), s * 100, max * 100];
+}
+
+function toCmyk(rgb) {
+  const [r, g, b] = rgb.map(c => c / 255);
+  const k = 1 - Math.max(r, g, b);
+  if (k === 1) {
+    return [0, 0, 0, 100];
+  }
+  return [r, g, b].map(c => (1 - c - k) / (1 - k) * 100).concat(k * 100);
+}
+
+// Parses a 3, 4, 6 or 8 digit hex color, with or without the leading
+// '#'. Returns null when `hex` is not one.
+function fromHex(hex) {
+  const match = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(String(hex).trim());
+  if (!match) {
+    return null;
+  }
+  let digits = match[1];
+  if (digits.length < 6) {
+    digits = digits.replace(/./g, '$&$&');
+  }
+  const bytes = digits.match(/../g).map(pair => parseInt(pair, 16));
+  return withAlpha(bytes, bytes.length > 3 ? bytes[3] / 255 : 1);
+}
+
+// Takes h in degrees, s and l in percent.
+function fromHsl(hsl) {
+  const h = ((hsl[0] % 360) + 360) % 360;
+  const s = hsl[1] / 100;
+  const l = hsl[2] / 100;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => {
+    const k = (n + h / 30) % 12;
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0), f(8), f(4)].map(toChannel);
+}
+
+// sRGB transfer functions, for the linear-light math in OKLab.
+function toLinear(c) {
+  c /= 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(c) {
+  c = Math.min(1, Math.max(0, c));
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+function toChannel(c) {
+  return Math.min(255, Math.max(0, Math.round(c * 255)));
+}
+
+// OKLab from/to linear sRGB, per https://bottosson.github.io/posts/oklab/
+function linearToOklab(lin) {
+  const [r, g, b] = lin;
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+function oklabToLinear(lab) {
+  const [L, a, b] = lab;
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+// Returns L in 0-1, C roughly 0-0.4 and h in degrees.
+function toOklch(rgb) {
+  const [L, a, b] = linearToOklab(rgb.map(toLinear));
+  const C = Math.sqrt(a * a + b * b);
+  const h = C < 1e-6 ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+  return [L, C, h];
+}
+
+function oklchToLinear(lch) {
+  const rad = lch[2] * Math.PI / 180;
+  return oklabToLinear([lch[0], lch[1] * Math.cos(rad), lch[1] * Math.sin(rad)]);
+}
+
+function inGamut(lin) {
+  return lin.every(c => c >= -1e-6 && c <= 1 + 1e-6);
+}
+
+// Colors outside the sRGB gamut keep their lightness and hue and have
+// their chroma reduced until they fit.
+function fromOklch(lch) {
+  let lin = oklchToLinear(lch);
+  if (!inGamut(lin)) {
+    let lo = 0;
+    let hi = lch[1];
+    for (let i = 0; i < 20; i++) {
+      const mid = (lo + hi) / 2;
+      if (inGamut(oklchToLinear([lch[0], mid, lch[2]]))) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    lin = oklchToLinear([lch[0], lo, lch[2]]);
+  }
+  return lin.map(c => toChannel(fromLinear(c)));
+}
+
+// CIE L*a*b* under the D65 white point.
+function toLab(rgb) {
+  const [r, g, b] = rgb.map(toLinear);
+  const xyz = [
+    (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047,
+    0.2126729 * r + 0.7151522 * g + 0.0721750 * b,
+    (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883
+  ];
+  const [fx, fy, fz] = xyz.map(t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function hue(r, g, b, max, d) {
+  if (d === 0) {
+    return 0;
+  }
+  let h;
+  if (max === r) {
+    h = (g - b) / d % 6;
+  } else if (max === g) {
+    h = (b - r) / d + 2;
+  } else {
+    h = (r - g) / d + 4;
+  }
+  return (h * 60 + 360) % 360;
+}
+
+// Pre-formatted strings for each notation, ready to paste into CSS or
+// design tools.
+function formats(rgb) {
+  const hsl = toHsl(rgb).map(Math.round);
+  const hsv = toHsv(rgb).map(Math.round);
+  hsl[0] %= 360;
+  hsv[0] %= 360;
+  const cmyk = toCmyk(rgb).map(Math.round);
+  const alpha = rgb.length > 3 ? ', ' + rgb[3] : '';
+  return [
+    {label: 'RGB', value: (alpha ? 'rgba(' : 'rgb(') + rgb.join(', ') + ')'},
+    {label: 'HEX', value: toHex(rgb)},
+    {label: 'HSL', value: (alpha ? 'hsla(' : 'hsl(') + hsl[0] + ', ' + hsl[1] + '%, ' + hsl[2] + '%' + alpha + ')'},
+    {label: 'HSV', value: 'hsv(' + hsv[0] + ', ' + hsv[1] + '%, ' + hsv[2] + '%)'},
+    {label: 'CMYK', value: 'cmyk(' + cmyk.map(c => c + '%').join(', ') + ')'}
+  ];
+}
+
+module.exports = {
+  isColor,
+  alphaOf,
+  withAlpha,
+  flatten,
+  toHex,
+  toCss,
+  fromHex,
+  toHsl,
+  toHsv,
+  toCmyk,
+  toOklch,
+  toLab,
+  toLinear,
+  fromLinear,
+  fromHsl,
+  fromOklch,
+  formats
+};
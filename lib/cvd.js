@@ -0,0 +1,50 @@
+// Color vision deficiency simulation. Dichromacies use the severity 1.0
+// matrices from Machado, Oliveira & Fernandes (2009), applied to linear
+// RGB; achromatopsia keeps only the relative luminance.
+
+const { toLinear, fromLinear, alphaOf, withAlpha } = require('./convert');
+const { luminance } = require('./contrast');
+
+const MATRICES = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ]
+};
+
+const DEFICIENCIES = Object.keys(MATRICES).concat('achromatopsia');
+
+function encode(c) {
+  return Math.round(fromLinear(c) * 255);
+}
+
+// How `rgb` appears with the given deficiency. Alpha is kept as is.
+function simulate(rgb, deficiency) {
+  if (deficiency === 'achromatopsia') {
+    const y = encode(luminance(rgb.slice(0, 3)));
+    return withAlpha([y, y, y], alphaOf(rgb));
+  }
+  const matrix = MATRICES[deficiency];
+  if (!matrix) {
+    throw new Error('Unknown color vision deficiency: ' + deficiency);
+  }
+  const lin = rgb.slice(0, 3).map(toLinear);
+  const simulated = matrix.map(row => encode(row[0] * lin[0] + row[1] * lin[1] + row[2] * lin[2]));
+  return withAlpha(simulated, alphaOf(rgb));
+}
+
+module.exports = {
+  DEFICIENCIES,
+  simulate
+};
@@ -0,0 +1,80 @@
+// CIEDE2000 color difference between two CIE L*a*b* colors, after
+// Sharma, Wu & Dalal (2005). A difference below about 1 is not
+// perceptible; 2-10 is noticeable at a glance.
+
+function deg(rad) {
+  return rad * 180 / Math.PI;
+}
+
+function rad(deg) {
+  return deg * Math.PI / 180;
+}
+
+function hueAngle(b, a) {
+  if (a === 0 && b === 0) {
+    return 0;
+  }
+  const h = deg(Math.atan2(b, a));
+  return h < 0 ? h + 360 : h;
+}
+
+function deltaE2000(lab1, lab2) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) {
+      dhp -= 360;
+    } else if (dhp < -180) {
+      dhp += 360;
+    }
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(rad(dhp / 2));
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      hbarp += h1p + h2p < 360 ? 360 : -360;
+    }
+    hbarp /= 2;
+  }
+
+  const T = 1 -
+    0.17 * Math.cos(rad(hbarp - 30)) +
+    0.24 * Math.cos(rad(2 * hbarp)) +
+    0.32 * Math.cos(rad(3 * hbarp + 6)) -
+    0.20 * Math.cos(rad(4 * hbarp - 63));
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Cbarp7 = Math.pow(Cbarp, 7);
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+  const SL = 1 + 0.015 * Math.pow(Lbarp - 50, 2) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(rad(2 * dTheta)) * RC;
+
+  const l = dLp / SL;
+  const c = dCp / SC;
+  const h = dHp / SH;
+  return Math.sqrt(l * l + c * c + h * h + RT * c * h);
+}
+
+module.exports = {
+  deltaE2000
+};
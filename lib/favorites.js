@@ -0,0 +1,57 @@
+// Favorite colors, persisted as JSON in a Storage object (localStorage in
+// the browser). Storage can be unavailable or full (private browsing,
+// quotas), in which case favorites only last for the current page.
+
+const { isColor } = require('./convert');
+
+const STORAGE_KEY = 'marko-random-rgb:favorites';
+
+function load(storage) {
+  try {
+    const list = JSON.parse(storage.getItem(STORAGE_KEY));
+    return Array.isArray(list) ? list.filter(isColor) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function save(storage, list) {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (err) {
+    // ignore; the in-memory list is still up to date
+  }
+}
+
+function sameColor(a, b) {
+  return a.length === b.length && a.every((c, i) => c === b[i]);
+}
+
+// Each helper returns a new list, leaving the given one untouched.
+
+function add(list, color) {
+  return list.some(favorite => sameColor(favorite, color)) ? list : list.concat([color]);
+}
+
+function remove(list, index) {
+  return list.filter((favorite, i) => i !== index);
+}
+
+function move(list, from, to) {
+  if (to < 0 || to >= list.length) {
+    return list;
+  }
+  list = list.slice();
+  list.splice(to, 0, list.splice(from, 1)[0]);
+  return list;
+}
+
+module.exports = {
+  STORAGE_KEY,
+  load,
+  save,
+  add,
+  remove,
+  move,
+  sameColor
+};
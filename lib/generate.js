@@ -0,0 +1,173 @@
+// Random color generation. `random` is any function returning a float in
+// [0, 1), such as Math.random or a generator from ./random.
+
+const { fromHsl, fromOklch, withAlpha } = require('./convert');
+
+const CHANNEL_MIN = 0;
+const CHANNEL_MAX = 255;
+const CHANNELS = ['r', 'g', 'b'];
+const FULL_RANGE = [CHANNEL_MIN, CHANNEL_MAX];
+
+// Generation modes: raw RGB channels, or a perceptual space bounded by
+// hue, saturation and lightness ranges.
+const MODES = ['rgb', 'hsl', 'oklch'];
+
+// The largest OKLCH chroma of any sRGB color is about 0.37, so a 100%
+// saturation maps to 0.37.
+const OKLCH_MAX_CHROMA = 0.37;
+
+const DEFAULT_PERCEPTUAL = {
+  hue: [0, 360],
+  saturation: [50, 100],
+  lightness: [35, 75]
+};
+
+// Uniform integer in the inclusive range [min, max]. Each of the
+// max - min + 1 values covers an equal slice of [0, 1).
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function randomFloat(random, min, max) {
+  return min + random() * (max - min);
+}
+
+// Rounds `value` into [lo, hi]. Blank or non-numeric values give
+// `fallback`, or `lo` when there is none.
+function clamp(value, lo, hi, fallback) {
+  value = value == null || value === '' ? NaN : Math.round(Number(value));
+  if (isNaN(value)) {
+    return fallback != null ? fallback : lo;
+  }
+  return Math.min(hi, Math.max(lo, value));
+}
+
+function clampChannel(value) {
+  return clamp(value, CHANNEL_MIN, CHANNEL_MAX);
+}
+
+// Turns a possibly partial or out-of-order [min, max] pair into a valid
+// inclusive range within [lo, hi] (a channel range by default). A missing,
+// blank or invalid bound falls back to `lo` or `hi`.
+function normalizeRange(range, lo, hi) {
+  lo = lo != null ? lo : CHANNEL_MIN;
+  hi = hi != null ? hi : CHANNEL_MAX;
+  if (!range) {
+    return [lo, hi];
+  }
+  const min = clamp(range[0], lo, hi, lo);
+  const max = clamp(range[1], lo, hi, hi);
+  return min <= max ? [min, max] : [max, min];
+}
+
+// Accepts per-channel bounds keyed by channel name, e.g.
+// {r: [180, 255], g: [0, 80]}, and returns one range per channel in
+// r, g, b order. Missing channels span the full range.
+function normalizeRanges(ranges) {
+  ranges = ranges || {};
+  return CHANNELS.map(name => normalizeRange(ranges[name]));
+}
+
+function randomChannel(random, range) {
+  range = range || FULL_RANGE;
+  return randomInt(random, range[0], range[1]);
+}
+
+function randomRgb(random, ranges) {
+  ranges = ranges || [];
+  return CHANNELS.map((name, i) => randomChannel(random, ranges[i]));
+}
+
+// Normalizes {hue, saturation, lightness} bounds for the perceptual
+// modes. The hue range is an arc walked clockwise from its first to its
+// second angle, so [300, 60] covers magentas through oranges; its order
+// is kept as given.
+function normalizePerceptual(ranges) {
+  ranges = ranges || {};
+  const hue = ranges.hue || DEFAULT_PERCEPTUAL.hue;
+  return {
+    hue: [clamp(hue[0], 0, 360), clamp(hue[1], 0, 360)],
+    saturation: normalizeRange(ranges.saturation || DEFAULT_PERCEPTUAL.saturation, 0, 100),
+    lightness: normalizeRange(ranges.lightness || DEFAULT_PERCEPTUAL.lightness, 0, 100)
+  };
+}
+
+function randomHue(random, arc) {
+  let length = arc[1] - arc[0];
+  if (length < 0) {
+    length += 360;
+  }
+  return (arc[0] + random() * length) % 360;
+}
+
+function randomHsl(random, ranges) {
+  return fromHsl([
+    randomHue(random, ranges.hue),
+    randomFloat(random, ranges.saturation[0], ranges.saturation[1]),
+    randomFloat(random, ranges.lightness[0], ranges.lightness[1])
+  ]);
+}
+
+function randomOklch(random, ranges) {
+  return fromOklch([
+    randomFloat(random, ranges.lightness[0], ranges.lightness[1]) / 100,
+    randomFloat(random, ranges.saturation[0], ranges.saturation[1]) / 100 * OKLCH_MAX_CHROMA,
+    randomHue(random, ranges.hue)
+  ]);
+}
+
+function randomOpaque(random, options) {
+  switch (options.mode) {
+    case 'hsl':
+      return randomHsl(random, options.perceptual || DEFAULT_PERCEPTUAL);
+    case 'oklch':
+      return randomOklch(random, options.perceptual || DEFAULT_PERCEPTUAL);
+    default:
+      return randomRgb(random, options.ranges);
+  }
+}
+
+// Picks a color in the given mode. `options.ranges` holds the per-channel
+// ranges used by the rgb mode, `options.perceptual` the normalized hue,
+// saturation and lightness ranges used by the others. With
+// `options.randomAlpha` the color also gets a random alpha, in steps of
+// 0.01.
+function randomColor(random, options) {
+  options = options || {};
+  const color = randomOpaque(random, options);
+  return options.randomAlpha ? withAlpha(color, Math.floor(random() * 101) / 100) : color;
+}
+
+// Draws colors until `accept(color)` returns true, giving up after
+// `maxAttempts` draws. Returns the accepted color, or null when none was
+// found, along with the number of rejected draws.
+function sample(random, options, accept, maxAttempts) {
+  let rejected = 0;
+  while (rejected < maxAttempts) {
+    const color = randomColor(random, options);
+    if (accept(color)) {
+      return {color, rejected};
+    }
+    rejected++;
+  }
+  return {color: null, rejected};
+}
+
+module.exports = {
+  CHANNEL_MIN,
+  CHANNEL_MAX,
+  CHANNELS,
+  MODES,
+  DEFAULT_PERCEPTUAL,
+  randomInt,
+  clampChannel,
+  normalizeRange,
+  normalizeRanges,
+  randomChannel,
+  randomRgb,
+  normalizePerceptual,
+  randomHsl,
+  randomOklch,
+  randomColor,
+  sample
+};
@@ -0,0 +1,34 @@
+// Color harmonies: sets of colors whose hues sit at fixed angles around
+// the color wheel from a base color. Saturation, lightness and alpha are
+// kept.
+
+const { toHsl, fromHsl, alphaOf, withAlpha } = require('./convert');
+
+// Hue offsets in degrees from the base color, which is not included.
+const HARMONIES = {
+  complementary: [180],
+  triadic: [120, 240],
+  analogous: [-30, 30],
+  'split-complementary': [150, 210],
+  tetradic: [90, 180, 270]
+};
+
+function rotate(rgb, degrees) {
+  const hsl = toHsl(rgb);
+  return withAlpha(fromHsl([(hsl[0] + degrees + 360) % 360, hsl[1], hsl[2]]), alphaOf(rgb));
+}
+
+// Returns the colors that complete `type`'s harmony for the base color.
+function harmony(rgb, type) {
+  const offsets = HARMONIES[type];
+  if (!offsets) {
+    throw new Error('Unknown harmony: ' + type);
+  }
+  return offsets.map(degrees => rotate(rgb, degrees));
+}
+
+module.exports = {
+  HARMONIES,
+  harmony,
+  rotate
+};
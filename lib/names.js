@@ -0,0 +1,43 @@
+// Nearest named color by CIEDE2000 distance. A dictionary maps names to
+// hex strings; the CSS named colors are used by default.
+
+const CSS_COLORS = require('./css-colors');
+const { fromHex, toLab } = require('./convert');
+const { deltaE2000 } = require('./delta-e');
+
+// Parsed entries per dictionary, so each is only converted to Lab once.
+const cache = new WeakMap();
+
+function entries(dictionary) {
+  let list = cache.get(dictionary);
+  if (!list) {
+    list = Object.keys(dictionary)
+      .map(name => ({name, color: fromHex(dictionary[name])}))
+      .filter(entry => entry.color)
+      .map(entry => ({name: entry.name, color: entry.color, lab: toLab(entry.color)}));
+    cache.set(dictionary, list);
+  }
+  return list;
+}
+
+// Returns {name, color, distance} for the closest entry. Extra
+// dictionaries (one, or an array of them) are searched alongside the CSS
+// names when given.
+function nearestName(rgb, extra) {
+  const lab = toLab(rgb);
+  const candidates = [CSS_COLORS].concat(extra || [])
+    .reduce((list, dictionary) => list.concat(entries(dictionary)), []);
+  let best = null;
+  candidates.forEach(entry => {
+    const distance = deltaE2000(lab, entry.lab);
+    if (!best || distance < best.distance) {
+      best = {name: entry.name, color: entry.color, distance};
+    }
+  });
+  return best;
+}
+
+module.exports = {
+  CSS_COLORS,
+  nearestName
+};
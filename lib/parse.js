@@ -0,0 +1,151 @@
+// Parses CSS color strings: hex (3, 4, 6 or 8 digits), rgb(), rgba(),
+// hsl(), hsla(), hwb(), lab(), oklch() and named colors. Both the legacy
+// comma syntax and the space syntax with a "/ alpha" part are accepted.
+// Invalid input throws an Error whose message can be shown to the user.
+
+const CSS_COLORS = require('./css-colors');
+const { fromHsl, fromOklch, fromLinear } = require('./convert');
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function clamp(value, lo, hi) {
+  return Math.min(hi, Math.max(lo, value));
+}
+
+// A number, optionally a percentage; `percent` is what 100% maps to.
+function number(token, percent) {
+  const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/i.exec(token);
+  if (!match) {
+    fail('"' + token + '" is not a number');
+  }
+  const value = parseFloat(match[1]);
+  return match[2] ? value / 100 * percent : value;
+}
+
+// Angles may be given in deg (the default), rad, grad or turn.
+const ANGLE_UNITS = {deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360};
+
+function angle(token) {
+  const match = /^(.*?)(deg|rad|grad|turn)?$/i.exec(token);
+  if (/%$/.test(token)) {
+    fail('"' + token + '" is not an angle');
+  }
+  return number(match[1], 1) * ANGLE_UNITS[(match[2] || 'deg').toLowerCase()];
+}
+
+function alpha(token) {
+  return token == null ? 1 : clamp(number(token, 1), 0, 1);
+}
+
+function parseHex(digits) {
+  if ([3, 4, 6, 8].indexOf(digits.length) === -1 || /[^0-9a-f]/i.test(digits)) {
+    fail('Hex colors need 3, 4, 6 or 8 hex digits');
+  }
+  if (digits.length < 6) {
+    digits = digits.replace(/./g, '$&$&');
+  }
+  const values = digits.match(/../g).map(pair => parseInt(pair, 16));
+  return {color: values.slice(0, 3), alpha: values.length === 4 ? values[3] / 255 : 1};
+}
+
+// Splits the arguments of a color function into its components and the
+// optional alpha.
+function splitArgs(name, args, count) {
+  let parts;
+  let alphaToken;
+  if (args.indexOf(',') !== -1) {
+    parts = args.split(',').map(part => part.trim());
+    if (parts.length === count + 1) {
+      alphaToken = parts.pop();
+    }
+  } else {
+    const slash = args.split('/');
+    if (slash.length > 2) {
+      fail(name + '() takes a single "/ alpha" part');
+    }
+    parts = slash[0].trim().split(/\s+/).filter(Boolean);
+    alphaToken = slash[1] != null ? slash[1].trim() : null;
+  }
+  if (parts.length !== count) {
+    fail(name + '() needs ' + count + ' values, got ' + parts.length);
+  }
+  return {parts, alpha: alpha(alphaToken)};
+}
+
+// CSS lab() is relative to the D50 white point, so it is adapted to D65
+// (Bradford) on the way to linear sRGB.
+function fromCssLab(lab) {
+  const fy = (lab[0] + 16) / 116;
+  const fx = fy + lab[1] / 500;
+  const fz = fy - lab[2] / 200;
+  const e = 216 / 24389;
+  const k = 24389 / 27;
+  const finv = f => Math.pow(f, 3) > e ? Math.pow(f, 3) : (116 * f - 16) / k;
+  const x = finv(fx) * 0.96422;
+  const y = lab[0] > k * e ? Math.pow(fy, 3) : lab[0] / k;
+  const z = finv(fz) * 0.82521;
+  const lin = [
+    3.1341359569958707 * x - 1.6173863321612538 * y - 0.4906619460083532 * z,
+    -0.978795502912089 * x + 1.916254567259524 * y + 0.03344273116131949 * z,
+    0.07195537988411677 * x - 0.2289768264158322 * y + 1.405386058324125 * z
+  ];
+  return lin.map(c => Math.round(fromLinear(c) * 255));
+}
+
+const FUNCTIONS = {
+  rgb(parts) {
+    return parts.map(part => clamp(Math.round(number(part, 255)), 0, 255));
+  },
+  hsl(parts) {
+    return fromHsl([angle(parts[0]), clamp(number(parts[1], 100), 0, 100), clamp(number(parts[2], 100), 0, 100)]);
+  },
+  hwb(parts) {
+    const white = clamp(number(parts[1], 100), 0, 100) / 100;
+    const black = clamp(number(parts[2], 100), 0, 100) / 100;
+    if (white + black >= 1) {
+      const gray = Math.round(white / (white + black) * 255);
+      return [gray, gray, gray];
+    }
+    return fromHsl([angle(parts[0]), 100, 50]).map(c => Math.round(c * (1 - white - black) + white * 255));
+  },
+  lab(parts) {
+    return fromCssLab([clamp(number(parts[0], 100), 0, 100), number(parts[1], 125), number(parts[2], 125)]);
+  },
+  oklch(parts) {
+    return fromOklch([clamp(number(parts[0], 1), 0, 1), Math.max(0, number(parts[1], 0.4)), angle(parts[2])]);
+  }
+};
+FUNCTIONS.rgba = FUNCTIONS.rgb;
+FUNCTIONS.hsla = FUNCTIONS.hsl;
+
+// Returns {color: [r, g, b], alpha} with alpha in 0-1.
+function parseColor(input) {
+  const str = String(input == null ? '' : input).trim().toLowerCase();
+  if (!str) {
+    fail('Enter a color');
+  }
+  if (str[0] === '#') {
+    return parseHex(str.slice(1));
+  }
+  if (str === 'transparent') {
+    return {color: [0, 0, 0], alpha: 0};
+  }
+  if (CSS_COLORS.hasOwnProperty(str)) {
+    return parseHex(CSS_COLORS[str].slice(1));
+  }
+  const match = /^([a-z]+)\((.*)\)$/.exec(str);
+  if (!match) {
+    fail('"' + input + '" is not a recognized color');
+  }
+  if (!FUNCTIONS.hasOwnProperty(match[1])) {
+    fail(match[1] + '() is not supported');
+  }
+  const args = splitArgs(match[1], match[2], 3);
+  return {color: FUNCTIONS[match[1]](args.parts), alpha: args.alpha};
+}
+
+module.exports = {
+  parseColor
+};
@@ -0,0 +1,55 @@
+// Seedable pseudo-random number generators. Every generator is a plain
+// function returning a float in [0, 1), so Math.random can be swapped in
+// wherever a generator is expected.
+
+// FNV-1a hash, so that any string (or number) can be used as a seed.
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast, and good enough for picking colors. Passing
+// `skip` resumes a sequence after that many draws.
+function seeded(seed, skip) {
+  let a = hashSeed(seed);
+  const next = function() {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  for (let i = 0; i < (skip || 0); i++) {
+    next();
+  }
+  return next;
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296).toString(36);
+}
+
+// Reads the `seed` parameter from a query string such as location.search.
+// A malformed escape is used as typed rather than thrown.
+function querySeed(search) {
+  const match = /[?&]seed=([^&#]*)/.exec(search || '');
+  if (!match || !match[1]) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (err) {
+    return match[1];
+  }
+}
+
+module.exports = {
+  hashSeed,
+  seeded,
+  randomSeed,
+  querySeed
+};
@@ -0,0 +1,24 @@
+// Encodes the current color, or every swatch of a palette, into a URL
+// hash such as `#ff8800` or `#ff8800-3366cc-eeeeee`.
+
+const { toHex, fromHex } = require('./convert');
+
+function encodeHash(colors) {
+  return '#' + colors.map(color => toHex(color).slice(1)).join('-');
+}
+
+// Returns the list of colors in `hash`, or null if it does not hold a
+// valid encoding.
+function decodeHash(hash) {
+  hash = String(hash || '').replace(/^#/, '');
+  if (!hash) {
+    return null;
+  }
+  const colors = hash.split('-').map(fromHex);
+  return colors.every(Boolean) ? colors : null;
+}
+
+module.exports = {
+  encodeHash,
+  decodeHash
+};
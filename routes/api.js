@@ -0,0 +1,137 @@
+// JSON API over the same generators the UI uses:
+//
+//   GET /api/color?format=hex&seed=abc&mode=hsl
+//   GET /api/palette?n=5&harmony=triadic&seed=abc
+//
+// Every response carries the seed, so any result can be reproduced.
+// Invalid parameters answer 400 with
+// {"error": {"parameter": "n", "message": "..."}}.
+
+const { formats } = require('../lib/convert');
+const { seeded, randomSeed } = require('../lib/random');
+const { MODES, randomColor } = require('../lib/generate');
+const { HARMONIES, harmony } = require('../lib/harmony');
+
+const FORMATS = formats([0, 0, 0]).map(format => format.label.toLowerCase());
+const PALETTE_MIN = 1;
+const PALETTE_MAX = 20;
+const DEFAULT_PALETTE_SIZE = 5;
+
+function badParameter(parameter, message) {
+  const err = new Error(message);
+  err.parameter = parameter;
+  return err;
+}
+
+// Reads a single-valued query parameter; repeated parameters are
+// rejected rather than silently picking one.
+function param(query, name) {
+  const value = query[name];
+  if (Array.isArray(value)) {
+    throw badParameter(name, name + ' may only be given once');
+  }
+  return value === '' ? undefined : value;
+}
+
+function oneOf(query, name, allowed, fallback) {
+  const value = param(query, name);
+  if (value === undefined) {
+    return fallback;
+  }
+  if (allowed.indexOf(value) === -1) {
+    throw badParameter(name, name + ' must be one of: ' + allowed.join(', '));
+  }
+  return value;
+}
+
+function integer(query, name, min, max, fallback) {
+  const value = param(query, name);
+  if (value === undefined) {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+    throw badParameter(name, name + ' must be a whole number from ' + min + ' to ' + max);
+  }
+  return Number(value);
+}
+
+function options(query) {
+  const seed = param(query, 'seed');
+  return {
+    seed: seed !== undefined ? seed : randomSeed(),
+    format: oneOf(query, 'format', FORMATS, 'hex'),
+    mode: oneOf(query, 'mode', MODES, 'rgb')
+  };
+}
+
+function format(color, name) {
+  return formats(color).find(entry => entry.label.toLowerCase() === name).value;
+}
+
+function color(query) {
+  const opts = options(query);
+  const random = seeded(opts.seed);
+  return {
+    seed: opts.seed,
+    format: opts.format,
+    color: format(randomColor(random, opts), opts.format)
+  };
+}
+
+// With a harmony, each drawn base color is followed by its harmony
+// companions until `n` colors are collected; `n` then defaults to the size
+// of one harmony set.
+function palette(query) {
+  const opts = options(query);
+  const type = oneOf(query, 'harmony', Object.keys(HARMONIES), null);
+  const fallback = type ? HARMONIES[type].length + 1 : DEFAULT_PALETTE_SIZE;
+  const n = integer(query, 'n', PALETTE_MIN, PALETTE_MAX, fallback);
+  const random = seeded(opts.seed);
+  let colors = [];
+  while (colors.length < n) {
+    const base = randomColor(random, opts);
+    colors = colors.concat([base], type ? harmony(base, type) : []);
+  }
+  return {
+    seed: opts.seed,
+    format: opts.format,
+    harmony: type,
+    colors: colors.slice(0, n).map(c => format(c, opts.format))
+  };
+}
+
+const ROUTES = {
+  '/api/color': color,
+  '/api/palette': palette
+};
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(body));
+}
+
+// Answers `pathname` if it is an API route; returns false otherwise.
+function handle(req, res, pathname, query) {
+  const route = ROUTES[pathname];
+  if (!route) {
+    return false;
+  }
+  let body;
+  try {
+    body = route(query);
+  } catch (err) {
+    if (err.parameter) {
+      send(res, 400, {error: {parameter: err.parameter, message: err.message}});
+      return true;
+    }
+    throw err;
+  }
+  send(res, 200, body);
+  return true;
+}
+
+module.exports = {
+  handle
+};
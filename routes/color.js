@@ -0,0 +1,55 @@
+// Permalink pages for a single color, e.g. /color/ff8800. The app is
+// rendered with that color and a harmony (complementary unless
+// ?harmony= names another) so every readout is filled in. The head carries
+// Open Graph and Twitter card tags pointing at the /swatch/ image.
+
+const page = require('../page.marko');
+const errorPage = require('../error-page.marko');
+const { fromHex, toHex } = require('../lib/convert');
+const { HARMONIES } = require('../lib/harmony');
+const { imagePath } = require('./swatch');
+
+const PREFIX = '/color/';
+
+// Public origin for the absolute og:url and og:image links, such as
+// https://colors.example.com. Without it they fall back to the request's
+// Host header over http, which is only good enough for local development.
+const BASE_URL = (process.env.BASE_URL || '').replace(/\/+$/, '');
+
+function handle(req, res, pathname, query) {
+  if (pathname.indexOf(PREFIX) !== 0) {
+    return false;
+  }
+  const hex = pathname.slice(PREFIX.length);
+  const color = fromHex(hex);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  if (!color) {
+    res.statusCode = 400;
+    errorPage.render({
+      title: 'Invalid color',
+      message: '"' + hex + '" is not a hex color. Use 3, 4, 6 or 8 hex digits, e.g. /color/ff8800.'
+    }, res);
+    return true;
+  }
+  const title = toHex(color) + ' - Marko Random RGB';
+  const origin = BASE_URL || 'http://' + (req.headers.host || 'localhost');
+  page.render({
+    title,
+    meta: {
+      title,
+      description: 'The color ' + toHex(color) + ' with its conversions, contrast and harmonies.',
+      url: origin + pathname,
+      image: origin + imagePath([color])
+    },
+    app: {
+      color,
+      seed: query.seed,
+      harmony: HARMONIES[query.harmony] ? query.harmony : 'complementary'
+    }
+  }, res);
+  return true;
+}
+
+module.exports = {
+  handle
+};
@@ -0,0 +1,128 @@
+// Swatch images for link previews: /swatch/ff8800.svg, or a palette as
+// /swatch/ff8800-3366cc-eeeeee.png (the same encoding as the URL hash).
+// Each color is a vertical band labelled with its hex value.
+
+const { toHex, toCss, flatten } = require('../lib/convert');
+const { bestText } = require('../lib/contrast');
+const { decodeHash } = require('../lib/share');
+const png = require('../lib/png');
+
+// The size Open Graph and Twitter cards expect.
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+const PATTERN = /^\/swatch\/([^/]+)\.(svg|png)$/i;
+
+// 5x7 bitmap glyphs for the characters of a hex label.
+const GLYPHS = {
+  '#': ['01010', '01010', '11111', '01010', '11111', '01010', '01010'],
+  '0': ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+  '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+  '2': ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  '3': ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+  '4': ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  '5': ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+  '6': ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+  '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  '9': ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+  'a': ['00000', '00000', '01110', '00001', '01111', '10001', '01111'],
+  'b': ['10000', '10000', '10110', '11001', '10001', '10001', '11110'],
+  'c': ['00000', '00000', '01110', '10000', '10000', '10001', '01110'],
+  'd': ['00001', '00001', '01101', '10011', '10001', '10001', '01111'],
+  'e': ['00000', '00000', '01110', '10001', '11111', '10000', '01110'],
+  'f': ['00110', '01001', '01000', '11100', '01000', '01000', '01000']
+};
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+// Horizontal extent of each band.
+function bands(colors) {
+  return colors.map((color, i) => {
+    const x = Math.round(i * WIDTH / colors.length);
+    return {color, x, width: Math.round((i + 1) * WIDTH / colors.length) - x};
+  });
+}
+
+// Pixel scale for a label in a band `width` wide, leaving a margin.
+function labelScale(width, length) {
+  return Math.max(1, Math.min(10, Math.floor(width * 0.8 / (length * (GLYPH_WIDTH + 1)))));
+}
+
+function svg(colors) {
+  const parts = bands(colors).map(band => {
+    const label = toHex(band.color);
+    const size = labelScale(band.width, label.length) * GLYPH_HEIGHT * 1.4;
+    return '<rect x="' + band.x + '" y="0" width="' + band.width + '" height="' + HEIGHT + '" fill="' + toCss(band.color) + '"/>' +
+      '<text x="' + (band.x + band.width / 2) + '" y="' + (HEIGHT - size) + '" font-size="' + size + '"' +
+      ' fill="' + toHex(bestText(band.color)) + '" text-anchor="middle" font-family="monospace">' + label + '</text>';
+  });
+  return '<svg xmlns="http://www.w3.org/2000/svg" width="' + WIDTH + '" height="' + HEIGHT + '"' +
+    ' viewBox="0 0 ' + WIDTH + ' ' + HEIGHT + '">' +
+    '<rect width="100%" height="100%" fill="#fff"/>' + parts.join('') + '</svg>';
+}
+
+function fillRect(pixels, x, y, width, height, rgb) {
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) {
+      const i = (row * WIDTH + col) * 3;
+      pixels[i] = rgb[0];
+      pixels[i + 1] = rgb[1];
+      pixels[i + 2] = rgb[2];
+    }
+  }
+}
+
+// PNG has no translucency here: colors are drawn as they look on white.
+function raster(colors) {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+  bands(colors).forEach(band => {
+    const rgb = flatten(band.color);
+    fillRect(pixels, band.x, 0, band.width, HEIGHT, rgb);
+    const label = toHex(band.color);
+    const scale = labelScale(band.width, label.length);
+    const ink = bestText(rgb);
+    const labelWidth = (label.length * (GLYPH_WIDTH + 1) - 1) * scale;
+    const left = band.x + Math.round((band.width - labelWidth) / 2);
+    const top = HEIGHT - (GLYPH_HEIGHT + 4) * scale;
+    label.split('').forEach((char, n) => {
+      GLYPHS[char].forEach((bits, row) => {
+        bits.split('').forEach((bit, col) => {
+          if (bit === '1') {
+            fillRect(pixels, left + (n * (GLYPH_WIDTH + 1) + col) * scale, top + row * scale, scale, scale, ink);
+          }
+        });
+      });
+    });
+  });
+  return png.encode(WIDTH, HEIGHT, pixels);
+}
+
+// Path of the preview image for `colors`, as used in og:image.
+function imagePath(colors, extension) {
+  return '/swatch/' + colors.map(color => toHex(color).slice(1)).join('-') + '.' + (extension || 'png');
+}
+
+function handle(req, res, pathname) {
+  const match = PATTERN.exec(pathname);
+  if (!match) {
+    return false;
+  }
+  const colors = decodeHash(match[1]);
+  if (!colors || colors.length > 10) {
+    res.statusCode = 400;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end('Expected 1-10 hex colors separated by "-", e.g. /swatch/ff8800-3366cc.svg');
+    return true;
+  }
+  const type = match[2].toLowerCase();
+  res.setHeader('Content-Type', type === 'svg' ? 'image/svg+xml' : 'image/png');
+  res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+  res.end(type === 'svg' ? svg(colors) : raster(colors));
+  return true;
+}
+
+module.exports = {
+  imagePath,
+  handle
+};
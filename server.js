@@ -0,0 +1,97 @@
+// Renders the app on the server so the color is visible before any
+// JavaScript runs. The browser bundle that `npm run build` writes to
+// static/ then takes the rendered components over without rendering them
+// again. Also serves the JSON API, the per-color permalink pages and their
+// preview images from routes/.
+
+require('marko/node-require').install();
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+// page.marko links the bundle through the tags the build writes here.
+if (!fs.existsSync(path.join(__dirname, 'build', 'index.html.json'))) {
+  console.error('The browser bundle is missing: run `npm run build` first.');
+  process.exit(1);
+}
+
+const page = require('./page.marko');
+const api = require('./routes/api');
+const colorPage = require('./routes/color');
+const swatch = require('./routes/swatch');
+
+const PORT = process.env.PORT || 8080;
+const STATIC_DIR = path.join(__dirname, 'static');
+// Bundle names from the lasso build, e.g. index-af930148.js.
+const FINGERPRINTED = /-[0-9a-f]{8,}\.\w+$/;
+const CONTENT_TYPES = {
+  '.css': 'text/css; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8'
+};
+
+function notFound(res) {
+  res.statusCode = 404;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end('Not found');
+}
+
+function renderPage(res, query) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  page.render({app: {seed: query.seed, color: query.color}}, res);
+}
+
+function serveStatic(res, pathname) {
+  let file;
+  try {
+    file = path.join(STATIC_DIR, path.normalize(decodeURIComponent(pathname)).slice('/static'.length));
+  } catch (err) {
+    // malformed escape sequence
+    return notFound(res);
+  }
+  if (file.indexOf(STATIC_DIR + path.sep) !== 0) {
+    return notFound(res);
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      return notFound(res);
+    }
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+    // a fingerprinted bundle gets a new name when it changes; anything
+    // else, such as index.html, must be checked again
+    res.setHeader('Cache-Control', FINGERPRINTED.test(file) ? 'public, max-age=31536000, immutable' : 'no-cache');
+    res.end(data);
+  });
+}
+
+function handle(req, res) {
+  const parsed = url.parse(req.url, true);
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.statusCode = 405;
+    res.setHeader('Allow', 'GET, HEAD');
+    return res.end();
+  }
+  if (parsed.pathname === '/') {
+    return renderPage(res, parsed.query);
+  }
+  const routes = [api, colorPage, swatch];
+  if (routes.some(route => route.handle(req, res, parsed.pathname, parsed.query))) {
+    return;
+  }
+  if (parsed.pathname.indexOf('/static/') === 0) {
+    return serveStatic(res, parsed.pathname);
+  }
+  notFound(res);
+}
+
+const server = http.createServer(handle);
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log('Listening on http://localhost:' + PORT);
+  });
+}
+
+module.exports = server;
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const api = require('../routes/api');
+
+// Calls the API the way server.js does and collects the response.
+function request(pathname, query) {
+  const res = {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    end(body) {
+      this.body = body;
+    }
+  };
+  const handled = api.handle({}, res, pathname, query || {});
+  return {
+    handled,
+    status: res.statusCode,
+    headers: res.headers,
+    body: res.body != null ? JSON.parse(res.body) : undefined
+  };
+}
+
+function assertBadParameter(pathname, query, parameter, message) {
+  const res = request(pathname, query);
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error.parameter, parameter);
+  assert.ok(message.test(res.body.error.message), res.body.error.message);
+}
+
+describe('api', () => {
+  it('leaves other paths alone', () => {
+    assert.strictEqual(request('/api/other').handled, false);
+    assert.strictEqual(request('/').handled, false);
+  });
+
+  describe('/api/color', () => {
+    it('returns a hex color and the seed by default', () => {
+      const res = request('/api/color', {seed: 'abc'});
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers['content-type'], 'application/json; charset=utf-8');
+      assert.strictEqual(res.headers['cache-control'], 'no-store');
+      assert.strictEqual(res.body.seed, 'abc');
+      assert.strictEqual(res.body.format, 'hex');
+      assert.ok(/^#[0-9a-f]{6}$/.test(res.body.color), res.body.color);
+    });
+
+    it('gives the same color for the same seed', () => {
+      const query = {seed: 'abc', mode: 'oklch', format: 'hsl'};
+      assert.deepStrictEqual(request('/api/color', query).body, request('/api/color', query).body);
+      assert.notDeepStrictEqual(request('/api/color', {seed: 'abd'}).body.color, request('/api/color', {seed: 'abc'}).body.color);
+    });
+
+    it('picks a seed when none is given', () => {
+      assert.ok(request('/api/color').body.seed);
+    });
+
+    it('rejects an unknown format', () => {
+      assertBadParameter('/api/color', {format: 'lab'}, 'format', /^format must be one of: rgb, hex, hsl, hsv, cmyk$/);
+    });
+
+    it('rejects an unknown mode', () => {
+      assertBadParameter('/api/color', {mode: 'cmyk'}, 'mode', /^mode must be one of: rgb, hsl, oklch$/);
+    });
+
+    it('rejects repeated parameters', () => {
+      assertBadParameter('/api/color', {seed: ['a', 'b']}, 'seed', /only be given once/);
+      assertBadParameter('/api/color', {format: ['hex', 'rgb']}, 'format', /only be given once/);
+    });
+  });
+
+  describe('/api/palette', () => {
+    it('returns five colors by default', () => {
+      const res = request('/api/palette', {seed: 'abc'});
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.body.colors.length, 5);
+      assert.strictEqual(res.body.harmony, null);
+    });
+
+    it('returns n colors', () => {
+      assert.strictEqual(request('/api/palette', {n: '1'}).body.colors.length, 1);
+      assert.strictEqual(request('/api/palette', {n: '20'}).body.colors.length, 20);
+    });
+
+    it('defaults n to one harmony set', () => {
+      const res = request('/api/palette', {seed: 'abc', harmony: 'triadic', format: 'rgb'});
+      assert.strictEqual(res.body.harmony, 'triadic');
+      assert.strictEqual(res.body.colors.length, 3);
+    });
+
+    it('gives the same palette for the same seed', () => {
+      const query = {seed: 'abc', n: '7', harmony: 'tetradic'};
+      assert.deepStrictEqual(request('/api/palette', query).body, request('/api/palette', query).body);
+    });
+
+    it('rejects n out of range or not a whole number', () => {
+      ['0', '21', '-1', '2.5', 'five'].forEach(n => {
+        assertBadParameter('/api/palette', {n}, 'n', /^n must be a whole number from 1 to 20$/);
+      });
+    });
+
+    it('rejects an unknown harmony', () => {
+      assertBadParameter('/api/palette', {harmony: 'pentadic'}, 'harmony', /^harmony must be one of: complementary, /);
+    });
+
+    it('rejects repeated parameters', () => {
+      assertBadParameter('/api/palette', {n: ['3', '4']}, 'n', /only be given once/);
+      assertBadParameter('/api/palette', {harmony: ['triadic', 'tetradic']}, 'harmony', /only be given once/);
+    });
+  });
+});
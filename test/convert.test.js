@@ -0,0 +1,24 @@
+const assert = require('assert');
+const { isColor } = require('../lib/convert');
+
+describe('isColor', () => {
+  it('accepts opaque and translucent channel arrays', () => {
+    assert.ok(isColor([0, 0, 0]));
+    assert.ok(isColor([255, 136, 0]));
+    assert.ok(isColor([255, 136, 0, 0.5]));
+  });
+
+  it('rejects anything else', () => {
+    assert.ok(!isColor('#ff8800'));
+    assert.ok(!isColor(['a', 'b']));
+    assert.ok(!isColor(['255', '0', '0']));
+    assert.ok(!isColor([255, 0]));
+    assert.ok(!isColor([255, 0, 0, 1, 1]));
+    assert.ok(!isColor([256, 0, 0]));
+    assert.ok(!isColor([-1, 0, 0]));
+    assert.ok(!isColor([255, 0, 0, 2]));
+    assert.ok(!isColor([NaN, 0, 0]));
+    assert.ok(!isColor([1.5, 2, 3]));
+    assert.ok(!isColor([255, 0, 0, NaN]));
+  });
+});
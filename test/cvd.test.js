@@ -0,0 +1,50 @@
+const assert = require('assert');
+const { toLinear, fromLinear } = require('../lib/convert');
+const { luminance } = require('../lib/contrast');
+const { DEFICIENCIES, simulate } = require('../lib/cvd');
+
+const INPUTS = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 136, 0]];
+
+// Machado et al. severity 1.0 matrices applied in linear sRGB, computed
+// independently of lib/cvd.js.
+const REFERENCE = {
+  protanopia: [[109, 95, 0], [255, 229, 0], [0, 89, 255], [172, 151, 0]],
+  deuteranopia: [[163, 144, 0], [239, 214, 58], [0, 61, 251], [200, 178, 0]],
+  tritanopia: [[255, 0, 15], [0, 247, 217], [0, 107, 150], [255, 108, 116]]
+};
+
+describe('simulate', () => {
+  Object.keys(REFERENCE).forEach(deficiency => {
+    it('matches the reference output for ' + deficiency, () => {
+      assert.deepStrictEqual(INPUTS.map(rgb => simulate(rgb, deficiency)), REFERENCE[deficiency]);
+    });
+
+    it('leaves white and black unchanged for ' + deficiency, () => {
+      assert.deepStrictEqual(simulate([255, 255, 255], deficiency), [255, 255, 255]);
+      assert.deepStrictEqual(simulate([0, 0, 0], deficiency), [0, 0, 0]);
+    });
+  });
+
+  it('turns colors into a gray of the same luminance for achromatopsia', () => {
+    INPUTS.concat([[51, 102, 204]]).forEach(rgb => {
+      const gray = simulate(rgb, 'achromatopsia');
+      assert.strictEqual(gray[0], gray[1]);
+      assert.strictEqual(gray[1], gray[2]);
+      assert.strictEqual(gray[0], Math.round(fromLinear(luminance(rgb)) * 255));
+      // the gray's own luminance only differs by the 8-bit rounding
+      assert.ok(Math.abs(toLinear(gray[0]) - luminance(rgb)) < 0.005, String(rgb));
+    });
+  });
+
+  it('keeps alpha', () => {
+    DEFICIENCIES.forEach(deficiency => {
+      const color = simulate([255, 136, 0, 0.4], deficiency);
+      assert.strictEqual(color.length, 4, deficiency);
+      assert.strictEqual(color[3], 0.4, deficiency);
+    });
+  });
+
+  it('throws on an unknown deficiency', () => {
+    assert.throws(() => simulate([255, 0, 0], 'monochromacy'), /Unknown color vision deficiency/);
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const { seeded } = require('../lib/random');
+const { randomInt, randomChannel, normalizeRange, CHANNEL_MIN, CHANNEL_MAX } = require('../lib/generate');
+
+const VALUES = CHANNEL_MAX - CHANNEL_MIN + 1;
+const DRAWS_PER_VALUE = 1000;
+
+// Critical value of the chi-square distribution with 255 degrees of
+// freedom at p = 0.001.
+const CHI_SQUARE_CRITICAL = 330.52;
+
+function histogram(draw) {
+  const counts = new Array(VALUES).fill(0);
+  for (let i = 0; i < VALUES * DRAWS_PER_VALUE; i++) {
+    const value = draw();
+    assert.ok(Number.isInteger(value), 'not an integer: ' + value);
+    assert.ok(value >= CHANNEL_MIN && value <= CHANNEL_MAX, 'out of range: ' + value);
+    counts[value - CHANNEL_MIN]++;
+  }
+  return counts;
+}
+
+function chiSquare(counts) {
+  return counts.reduce((sum, count) =>
+    sum + Math.pow(count - DRAWS_PER_VALUE, 2) / DRAWS_PER_VALUE, 0);
+}
+
+function assertUniform(counts) {
+  const missing = counts.reduce((list, count, i) => count ? list : list.concat(i + CHANNEL_MIN), []);
+  assert.deepStrictEqual(missing, []);
+  assert.ok(counts[0] > 0, '0 never drawn');
+  assert.ok(counts[VALUES - 1] > 0, '255 never drawn');
+  const statistic = chiSquare(counts);
+  assert.ok(statistic < CHI_SQUARE_CRITICAL, 'chi-square ' + statistic.toFixed(1) + ' >= ' + CHI_SQUARE_CRITICAL);
+}
+
+describe('randomInt', () => {
+  it('draws every value of [0, 255] uniformly', () => {
+    const random = seeded('channels');
+    assertUniform(histogram(() => randomInt(random, CHANNEL_MIN, CHANNEL_MAX)));
+  });
+
+  it('includes both bounds of a narrow range', () => {
+    const random = seeded('bounds');
+    const seen = new Set();
+    for (let i = 0; i < 100; i++) {
+      seen.add(randomInt(random, 254, 255));
+    }
+    assert.deepStrictEqual(Array.from(seen).sort(), [254, 255]);
+  });
+
+  it('maps the ends of [0, 1) to the bounds', () => {
+    assert.strictEqual(randomInt(() => 0, 0, 255), 0);
+    assert.strictEqual(randomInt(() => 1 - Number.EPSILON, 0, 255), 255);
+  });
+});
+
+describe('randomChannel', () => {
+  it('draws every channel value uniformly without a range', () => {
+    const random = seeded('randomChannel');
+    assertUniform(histogram(() => randomChannel(random)));
+  });
+
+  it('stays within the given range', () => {
+    const random = seeded('range');
+    for (let i = 0; i < 1000; i++) {
+      const value = randomChannel(random, [180, 200]);
+      assert.ok(value >= 180 && value <= 200, 'out of range: ' + value);
+    }
+  });
+});
+
+describe('normalizeRange', () => {
+  it('defaults to the full channel range', () => {
+    assert.deepStrictEqual(normalizeRange(), [0, 255]);
+    assert.deepStrictEqual(normalizeRange([null, 80]), [0, 80]);
+    assert.deepStrictEqual(normalizeRange([180]), [180, 255]);
+  });
+
+  it('swaps reversed bounds', () => {
+    assert.deepStrictEqual(normalizeRange([200, 100]), [100, 200]);
+  });
+
+  it('clamps bounds to the channel range', () => {
+    assert.deepStrictEqual(normalizeRange([-20, 300]), [0, 255]);
+    assert.deepStrictEqual(normalizeRange([300, -20]), [0, 255]);
+  });
+
+  it('treats blank and invalid bounds as missing', () => {
+    assert.deepStrictEqual(normalizeRange([100, '']), [100, 255]);
+    assert.deepStrictEqual(normalizeRange(['', 80]), [0, 80]);
+    assert.deepStrictEqual(normalizeRange([100, 'x']), [100, 255]);
+    assert.deepStrictEqual(normalizeRange([NaN, 80]), [0, 80]);
+  });
+
+  it('rounds and clamps to custom limits', () => {
+    assert.deepStrictEqual(normalizeRange([10.4, 'x'], 0, 100), [10, 100]);
+    assert.deepStrictEqual(normalizeRange([150, 20], 0, 100), [20, 100]);
+  });
+});
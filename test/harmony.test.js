@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { toHsl } = require('../lib/convert');
+const { HARMONIES, harmony } = require('../lib/harmony');
+
+const RED = [255, 0, 0];
+
+describe('harmony', () => {
+  it('finds the complement', () => {
+    assert.deepStrictEqual(harmony(RED, 'complementary'), [[0, 255, 255]]);
+  });
+
+  it('finds the triad', () => {
+    assert.deepStrictEqual(harmony(RED, 'triadic'), [[0, 255, 0], [0, 0, 255]]);
+  });
+
+  it('finds the analogous neighbours', () => {
+    assert.deepStrictEqual(harmony(RED, 'analogous'), [[255, 0, 128], [255, 128, 0]]);
+  });
+
+  it('finds the split complements', () => {
+    assert.deepStrictEqual(harmony(RED, 'split-complementary'), [[0, 255, 128], [0, 128, 255]]);
+  });
+
+  it('finds the tetrad', () => {
+    assert.deepStrictEqual(harmony(RED, 'tetradic'), [[128, 255, 0], [0, 255, 255], [128, 0, 255]]);
+  });
+
+  it('returns one color per offset and keeps saturation and lightness', () => {
+    const base = [51, 102, 204];
+    const [, s, l] = toHsl(base);
+    Object.keys(HARMONIES).forEach(type => {
+      const colors = harmony(base, type);
+      assert.strictEqual(colors.length, HARMONIES[type].length, type);
+      colors.forEach(color => {
+        const hsl = toHsl(color);
+        assert.ok(Math.abs(hsl[1] - s) <= 1 && Math.abs(hsl[2] - l) <= 1, type + ': ' + color);
+      });
+    });
+  });
+
+  it('keeps alpha', () => {
+    assert.deepStrictEqual(harmony([255, 0, 0, 0.5], 'triadic'), [[0, 255, 0, 0.5], [0, 0, 255, 0.5]]);
+    assert.deepStrictEqual(harmony([255, 0, 0, 1], 'complementary'), [[0, 255, 255]]);
+  });
+
+  it('throws on an unknown type', () => {
+    assert.throws(() => harmony(RED, 'pentadic'), /Unknown harmony/);
+  });
+});
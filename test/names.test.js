@@ -0,0 +1,22 @@
+const assert = require('assert');
+const { nearestName } = require('../lib/names');
+const XKCD_COLORS = require('../lib/xkcd-colors');
+
+describe('nearestName', () => {
+  it('finds exact CSS names', () => {
+    const match = nearestName([255, 99, 71]);
+    assert.strictEqual(match.name, 'tomato');
+    assert.strictEqual(match.distance, 0);
+  });
+
+  it('searches an extra dictionary alongside the CSS names', () => {
+    assert.strictEqual(nearestName([126, 30, 156], XKCD_COLORS).name, 'purple');
+    assert.strictEqual(nearestName([117, 187, 253], XKCD_COLORS).name, 'sky blue');
+    assert.strictEqual(nearestName([255, 99, 71], XKCD_COLORS).name, 'tomato');
+  });
+
+  it('accepts several extra dictionaries', () => {
+    const match = nearestName([120, 30, 150], [XKCD_COLORS, {grape: '#781e96'}]);
+    assert.strictEqual(match.name, 'grape');
+  });
+});
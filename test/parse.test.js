@@ -0,0 +1,110 @@
+const assert = require('assert');
+const { parseColor } = require('../lib/parse');
+
+function parses(input, color, alpha) {
+  assert.deepStrictEqual(parseColor(input), {color, alpha: alpha != null ? alpha : 1}, input);
+}
+
+function rejects(input, message) {
+  assert.throws(() => parseColor(input), err => err.message === message, String(input));
+}
+
+const ORANGE = [255, 136, 0];
+
+describe('parseColor', () => {
+  describe('hex', () => {
+    it('reads 3 and 6 digits', () => {
+      parses('#f80', ORANGE);
+      parses('#FF8800', ORANGE);
+    });
+
+    it('reads alpha from 4 and 8 digits', () => {
+      parses('#f808', ORANGE, 0x88 / 255);
+      parses('#ff880080', ORANGE, 0x80 / 255);
+    });
+  });
+
+  describe('rgb()', () => {
+    it('reads the comma and space syntaxes', () => {
+      parses('rgb(255, 136, 0)', ORANGE);
+      parses('rgb(255 136 0)', ORANGE);
+      parses('rgba(255,136,0,0.5)', ORANGE, 0.5);
+      parses('rgb(255 136 0 / 0.5)', ORANGE, 0.5);
+    });
+
+    it('reads percentages and clamps channels', () => {
+      parses('rgb(100% 50% 0% / 50%)', [255, 128, 0], 0.5);
+      parses('rgb(300 -5 0)', [255, 0, 0]);
+    });
+  });
+
+  describe('hsl()', () => {
+    it('reads the comma and space syntaxes', () => {
+      parses('hsl(30, 100%, 50%)', [255, 128, 0]);
+      parses('hsla(30 100% 50% / .25)', [255, 128, 0], 0.25);
+    });
+
+    it('accepts angle units', () => {
+      parses('hsl(0.5turn 100% 50%)', [0, 255, 255]);
+      parses('hsl(200grad 100% 50%)', [0, 255, 255]);
+      parses('hsl(3.14159rad 100% 50%)', [0, 255, 255]);
+      parses('hsl(-120deg 100% 50%)', [0, 0, 255]);
+    });
+  });
+
+  it('reads hwb()', () => {
+    parses('hwb(30 0% 0%)', [255, 128, 0]);
+    parses('hwb(0 60% 60%)', [128, 128, 128]);
+  });
+
+  it('reads lab() relative to D50', () => {
+    parses('lab(54.29% 80.82 69.89)', [255, 0, 0]);
+    parses('lab(100 0 0)', [255, 255, 255]);
+    parses('lab(0 0 0)', [0, 0, 0]);
+  });
+
+  it('reads oklch()', () => {
+    parses('oklch(62.8% 0.2577 29.23)', [255, 0, 0]);
+    parses('oklch(0.7 0.1 200 / 0.3)', [64, 177, 183], 0.3);
+  });
+
+  it('reads named colors and transparent, ignoring case and spaces', () => {
+    parses('tomato', [255, 99, 71]);
+    parses('  TOMATO ', [255, 99, 71]);
+    parses('transparent', [0, 0, 0], 0);
+  });
+
+  it('clamps alpha to 0-1', () => {
+    parses('rgb(0 0 0 / 2)', [0, 0, 0]);
+    parses('rgb(0 0 0 / -1)', [0, 0, 0], 0);
+  });
+
+  describe('errors', () => {
+    it('asks for input when empty', () => {
+      rejects('', 'Enter a color');
+      rejects(null, 'Enter a color');
+    });
+
+    it('explains bad hex colors', () => {
+      rejects('#12', 'Hex colors need 3, 4, 6 or 8 hex digits');
+      rejects('#ggg', 'Hex colors need 3, 4, 6 or 8 hex digits');
+    });
+
+    it('names unrecognized input', () => {
+      rejects('banana', '"banana" is not a recognized color');
+      rejects('foo(1 2 3)', 'foo() is not supported');
+    });
+
+    it('does not treat Object.prototype members as functions', () => {
+      rejects('constructor(300 abc x)', 'constructor() is not supported');
+    });
+
+    it('explains bad arguments', () => {
+      rejects('rgb(1 2)', 'rgb() needs 3 values, got 2');
+      rejects('rgb(1, 2, 3, 4, 5)', 'rgb() needs 3 values, got 5');
+      rejects('rgb(1 2 3 / 4 / 5)', 'rgb() takes a single "/ alpha" part');
+      rejects('rgb(a b c)', '"a" is not a number');
+      rejects('hsl(10% 50% 50%)', '"10%" is not an angle');
+    });
+  });
+});
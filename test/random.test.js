@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { seeded, querySeed } = require('../lib/random');
+
+describe('seeded', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = seeded('abc');
+    const b = seeded('abc');
+    for (let i = 0; i < 10; i++) {
+      assert.strictEqual(a(), b());
+    }
+  });
+
+  it('resumes a sequence after `skip` draws', () => {
+    const a = seeded('abc');
+    a();
+    a();
+    assert.strictEqual(seeded('abc', 2)(), a());
+  });
+});
+
+describe('querySeed', () => {
+  it('reads and decodes the seed parameter', () => {
+    assert.strictEqual(querySeed('?seed=abc'), 'abc');
+    assert.strictEqual(querySeed('?mode=hsl&seed=a%20b#x'), 'a b');
+  });
+
+  it('returns null without a seed', () => {
+    assert.strictEqual(querySeed(''), null);
+    assert.strictEqual(querySeed('?seed='), null);
+    assert.strictEqual(querySeed('?mode=hsl'), null);
+  });
+
+  it('keeps a malformed escape as typed', () => {
+    assert.strictEqual(querySeed('?seed=%E0%A4%A'), '%E0%A4%A');
+  });
+});